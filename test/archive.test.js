@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, createUser, createProduct, sell } = require('./helpers');
+
+useServer();
+
+const history = async (entity, id) =>
+  (await api('GET', `/api/audit?entity=${entity}&entityId=${id}&sort=id&pageSize=50`)).body.data.map(entry => entry.action);
+
+test('produto sem histórico é excluído e com histórico é arquivado', async () => {
+  const unused = await createProduct({ name: 'Sem uso' });
+  const removed = await api('DELETE', `/api/products/${unused.id}`);
+  assert.equal(removed.status, 200);
+  assert.equal(removed.body.archived, false);
+  assert.equal((await api('GET', `/api/products/${unused.id}`)).status, 404);
+  assert.deepEqual(await history('product', unused.id), ['create', 'delete']);
+
+  const sold = await createProduct({ name: 'Vendido' }, 5);
+  assert.equal((await sell([{ productId: sold.id, quantity: 1 }], 10)).status, 201);
+  const archived = await api('DELETE', `/api/products/${sold.id}`);
+  assert.equal(archived.body.archived, true);
+  assert.equal((await api('DELETE', `/api/products/${sold.id}`)).status, 409);
+  assert.equal((await sell([{ productId: sold.id, quantity: 1 }], 10)).status, 409);
+
+  const listed = (await api('GET', '/api/products?archived=true&pageSize=100')).body.data.map(p => p.id);
+  assert.ok(listed.includes(sold.id));
+  assert.equal((await api('POST', `/api/products/${sold.id}/restore`)).status, 200);
+  assert.equal((await api('POST', `/api/products/${sold.id}/restore`)).status, 409);
+  assert.deepEqual((await history('product', sold.id)).filter(action => action !== 'update'), ['create', 'archive', 'restore']);
+});
+
+test('usuário arquivado perde as sessões; sem histórico, sai com elas', async () => {
+  const idle = await createUser({ role: 'vendedor', email: 'ocioso@erp.com' });
+  assert.equal((await api('DELETE', `/api/users/${idle.id}`)).body.archived, false);
+  assert.equal((await api('GET', '/api/auth/me', undefined, idle.token)).status, 401);
+
+  const seller = await createUser({ role: 'vendedor', email: 'ativo@erp.com' });
+  assert.equal((await sell([{ productId: 1, quantity: 1 }], 99.9, {}, seller.token)).status, 201);
+  assert.equal((await api('DELETE', `/api/users/${seller.id}`)).body.archived, true);
+  assert.equal((await api('GET', '/api/auth/me', undefined, seller.token)).status, 401);
+  const sessions = await api('GET', `/api/users/${seller.id}/sessions`);
+  assert.deepEqual(sessions.body, []);
+});
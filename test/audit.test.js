@@ -0,0 +1,38 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, createUser, totp, enableTwoFactor } = require('./helpers');
+
+useServer();
+
+const userHistory = async (id) =>
+  (await api('GET', `/api/audit?entity=user&entityId=${id}&sort=id&pageSize=50`)).body.data;
+
+test('alteração de usuário fica no histórico com a senha mascarada', async () => {
+  const user = await createUser({ role: 'vendedor', email: 'historico@erp.com' });
+  const updated = await api('PUT', `/api/users/${user.id}`, { name: 'Novo Nome', password: 'Outra@12345' });
+  assert.equal(updated.status, 200);
+
+  const [created, update] = await userHistory(user.id);
+  assert.equal(created.action, 'create');
+  assert.equal(created.after.password, '***');
+  assert.equal(update.action, 'update');
+  assert.equal(update.userId, 1);
+  assert.deepEqual(update.before, { name: 'historico', password: '***' });
+  assert.deepEqual(update.after, { name: 'Novo Nome', password: '***' });
+});
+
+test('ativar, trocar códigos e desativar o 2FA ficam no histórico do próprio usuário', async () => {
+  const user = await createUser({ role: 'vendedor', email: 'historico2fa@erp.com' });
+  const { secret } = await enableTwoFactor(user.token);
+  const regenerated = await api('POST', '/api/auth/2fa/recovery-codes', { code: totp(secret, 1) }, user.token);
+  assert.equal(regenerated.status, 200);
+  const disabled = await api('POST', '/api/auth/2fa/disable', { password: 'Senha@12345', recoveryCode: regenerated.body.recoveryCodes[0] }, user.token);
+  assert.equal(disabled.status, 200);
+
+  const [, enabled, codes, off] = await userHistory(user.id);
+  assert.ok([enabled, codes, off].every(entry => entry.userId === user.id));
+  assert.deepEqual([enabled.before.totpEnabled, enabled.after.totpEnabled], [false, true]);
+  assert.deepEqual([codes.before.totpRecoveryCodes, codes.after.totpRecoveryCodes], ['***', '***']);
+  assert.deepEqual([off.before.totpEnabled, off.after.totpEnabled], [true, false]);
+  assert.equal(off.after.totpSecret, null);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, login, createUser, totp, enableTwoFactor, sell } = require('./helpers');
+
+useServer();
+
+test('refresh token reapresentado revoga a sessão inteira', async () => {
+  const session = await login();
+  const first = await api('POST', '/api/auth/refresh', { refreshToken: session.refreshToken }, null);
+  assert.equal(first.status, 200);
+  assert.notEqual(first.body.refreshToken, session.refreshToken);
+
+  const reused = await api('POST', '/api/auth/refresh', { refreshToken: session.refreshToken }, null);
+  assert.equal(reused.status, 401);
+
+  const rotated = await api('POST', '/api/auth/refresh', { refreshToken: first.body.refreshToken }, null);
+  assert.equal(rotated.status, 401);
+  assert.equal((await api('GET', '/api/auth/me', undefined, first.body.token)).status, 401);
+  assert.equal((await api('GET', '/api/auth/me')).status, 200);
+});
+
+test('logout revoga o token de acesso e o refresh da sessão', async () => {
+  const session = await login();
+  assert.equal((await api('POST', '/api/auth/logout', {}, session.token)).status, 200);
+  assert.equal((await api('GET', '/api/auth/me', undefined, session.token)).status, 401);
+  assert.equal((await api('POST', '/api/auth/refresh', { refreshToken: session.refreshToken }, null)).status, 401);
+});
+
+test('desafio de 2FA não vale para usuário arquivado depois da senha', async () => {
+  const user = await createUser({ role: 'operador', email: 'arquivado2fa@erp.com' });
+  const { secret } = await enableTwoFactor(user.token);
+  // Venda feita por ele: a exclusão vira arquivamento
+  assert.equal((await sell([{ productId: 1, quantity: 1 }], 99.9, {}, user.token)).status, 201);
+
+  const first = await api('POST', '/api/auth/login', { email: user.email, password: 'Senha@12345' }, null);
+  assert.equal(first.body.twoFactorRequired, true);
+  const removed = await api('DELETE', `/api/users/${user.id}`);
+  assert.equal(removed.body.archived, true);
+
+  const second = await api('POST', '/api/auth/login/2fa', { challengeToken: first.body.challengeToken, code: totp(secret, 1) }, null);
+  assert.equal(second.status, 401);
+});
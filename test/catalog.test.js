@@ -0,0 +1,50 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, createProduct } = require('./helpers');
+
+useServer();
+
+test('SKU e código de barras são únicos e o código passa pelo dígito verificador', async () => {
+  const product = await createProduct({ name: 'Café 500g', sku: 'CAF-500', barcode: '789-1000-3155-07', costPrice: 6, price: 10 });
+  assert.equal(product.barcode, '7891000315507');
+  assert.equal(product.margin, 40);
+
+  const wrongDigit = await api('POST', '/api/products', { name: 'Errado', price: 1, barcode: '7891000315508' });
+  assert.equal(wrongDigit.status, 400);
+  assert.equal(wrongDigit.body.fields.barcode.code, 'format');
+
+  const duplicate = await api('POST', '/api/products', { name: 'Repetido', price: 1, sku: 'CAF-500' });
+  assert.equal(duplicate.status, 409);
+  assert.equal(duplicate.body.code, 'DUPLICATE');
+  assert.equal(duplicate.body.fields.sku.code, 'unique');
+
+  const found = await api('GET', '/api/products/barcode/7891000315507');
+  assert.equal(found.body.id, product.id);
+  assert.equal((await api('GET', '/api/products/barcode/7891000315514')).status, 404);
+  assert.deepEqual((await api('GET', '/api/products?q=CAF-500')).body.data.map(p => p.id), [product.id]);
+});
+
+test('categoria e marca filtram a listagem e precisam existir', async () => {
+  const category = (await api('POST', '/api/categories', { name: 'Bebidas' })).body;
+  const brand = (await api('POST', '/api/brands', { name: 'Marca X' })).body;
+  const product = await createProduct({ name: 'Suco', categoryId: category.id, brandId: brand.id, unit: 'L', ncm: '2009.89.90' });
+  assert.equal(product.ncm, '20098990');
+
+  const listed = (await api('GET', `/api/products?categoryId=${category.id}`)).body.data;
+  assert.deepEqual(listed.map(p => [p.id, p.Category.name, p.Brand.name]), [[product.id, 'Bebidas', 'Marca X']]);
+
+  const missing = await api('POST', '/api/products', { name: 'Órfão', price: 1, categoryId: 999, unit: 'XX' });
+  assert.equal(missing.status, 400);
+  assert.equal(missing.body.fields.unit.code, 'enum');
+  const orphan = await api('POST', '/api/products', { name: 'Órfão', price: 1, categoryId: 999 });
+  assert.equal(orphan.body.fields.categoryId.code, 'notFound');
+
+  assert.equal((await api('DELETE', `/api/categories/${category.id}`)).status, 409);
+});
+
+test('produto inativo não entra em vendas', async () => {
+  const product = await createProduct({ name: 'Fora de linha', active: false }, 5);
+  const sale = await api('POST', '/api/sales', { clientId: 1, items: [{ productId: product.id, quantity: 1 }], payments: [{ method: 'cash', amount: 10 }] });
+  assert.equal(sale.status, 409);
+  assert.match(sale.body.error, /inativo/);
+});
@@ -0,0 +1,71 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { useServer, api } = require('./helpers');
+
+// Base de CEPs extra para o provedor offline, somada à embutida
+const dataset = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'erp-cep-')), 'ceps.json');
+fs.writeFileSync(dataset, JSON.stringify({
+  '20040002': { street: 'Avenida Rio Branco', district: 'Centro', city: 'Rio de Janeiro', state: 'RJ', ibgeCode: '3304557' }
+}));
+
+useServer({ CEP_PROVIDER: 'offline', CEP_DATASET: dataset });
+after(() => fs.rmSync(path.dirname(dataset), { recursive: true, force: true }));
+
+let sequence = 0;
+const createClient = (fields) => {
+  sequence++;
+  return api('POST', '/api/clients', { name: `Cliente ${sequence}`, email: `cliente${sequence}@erp.com`, phone: '11999990000', address: 'Rua A, 1', ...fields });
+};
+
+test('CPF e CNPJ passam pelos dígitos verificadores', async () => {
+  const cpf = await createClient({ document: '529.982.247-25' });
+  assert.equal(cpf.status, 201);
+  assert.equal(cpf.body.document, '52998224725');
+  assert.equal((await createClient({ personType: 'company', document: '11.222.333/0001-81' })).status, 201);
+
+  for (const [personType, document] of [
+    ['individual', '529.982.247-24'],
+    ['individual', '111.111.111-11'],
+    ['company', '11.222.333/0001-80'],
+    ['company', '00.000.000/0000-00']
+  ]) {
+    const res = await createClient({ personType, document });
+    assert.equal(res.status, 400, document);
+    assert.equal(res.body.fields.document.code, 'format', document);
+  }
+});
+
+test('documento precisa combinar com o tipo de pessoa', async () => {
+  const company = await createClient({ personType: 'company', document: '529.982.247-25' });
+  assert.equal(company.status, 400);
+  assert.equal(company.body.fields.document.code, 'personType');
+
+  const individual = await createClient({ document: '11.222.333/0001-81' });
+  assert.equal(individual.status, 400);
+  assert.equal(individual.body.fields.document.code, 'personType');
+
+  // Trocar o tipo sem trocar o documento também é recusado
+  const created = await createClient({ document: '390.533.447-05' });
+  const changed = await api('PUT', `/api/clients/${created.body.id}`, { personType: 'company' });
+  assert.equal(changed.status, 400);
+  assert.equal(changed.body.fields.document.code, 'personType');
+});
+
+test('consulta de CEP no provedor offline usa a base embutida e a do CEP_DATASET', async () => {
+  const se = await api('GET', '/api/cep/01001-000');
+  assert.equal(se.status, 200);
+  assert.equal(se.body.street, 'Praça da Sé');
+  assert.equal(se.body.zipCode, '01001000');
+
+  const extra = await api('GET', '/api/cep/20040002');
+  assert.equal(extra.status, 200);
+  assert.equal(extra.body.city, 'Rio de Janeiro');
+
+  assert.equal((await api('GET', '/api/cep/99999999')).status, 404);
+  const invalid = await api('GET', '/api/cep/123');
+  assert.equal(invalid.status, 400);
+  assert.equal(invalid.body.fields.cep.code, 'format');
+});
@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, login, createUser, sell } = require('./helpers');
+
+useServer({ LOGIN_MAX_ATTEMPTS: '2' });
+
+let seller;
+let manager;
+
+const discounted = (percent, discountApproval) =>
+  sell([{ productId: 1, quantity: 1 }], 99.9, { discountType: 'percent', discountValue: percent, payments: [{ method: 'cash' }], discountApproval }, seller.token);
+
+test('desconto dentro do limite do perfil dispensa aprovação', async () => {
+  seller = await createUser({ role: 'vendedor', email: 'vendedor@erp.com' });
+  manager = await createUser({ role: 'gerente', email: 'gerente@erp.com' });
+
+  const sale = await discounted(10);
+  assert.equal(sale.status, 201);
+  assert.equal(sale.body.total, 89.91);
+  assert.equal(sale.body.discountApprovedBy, null);
+});
+
+test('desconto acima do limite exige um aprovador com limite suficiente', async () => {
+  const denied = await discounted(20);
+  assert.equal(denied.status, 403);
+  assert.equal(denied.body.code, 'DISCOUNT_APPROVAL_REQUIRED');
+  assert.equal(denied.body.requestedDiscount, 20);
+
+  const tooMuch = await discounted(40, { email: manager.email, password: 'Senha@12345' });
+  assert.equal(tooMuch.status, 403);
+
+  const approved = await discounted(20, { email: manager.email, password: 'Senha@12345' });
+  assert.equal(approved.status, 201);
+  assert.equal(approved.body.total, 79.92);
+  assert.equal(approved.body.discountApprovedBy, manager.id);
+});
+
+test('senha errada do aprovador conta para o bloqueio da conta e fica registrada', async () => {
+  for (let i = 0; i < 2; i++) {
+    assert.equal((await discounted(20, { email: manager.email, password: 'errada' })).status, 403);
+  }
+  const locked = await discounted(20, { email: manager.email, password: 'Senha@12345' });
+  assert.equal(locked.status, 429);
+  assert.ok(parseInt(locked.headers.get('retry-after')) > 0);
+  assert.equal((await api('POST', '/api/auth/login', { email: manager.email, password: 'Senha@12345' }, null)).status, 429);
+
+  const attempts = (await api('GET', `/api/login-attempts?email=${manager.email}&sort=id&pageSize=50`)).body.data;
+  assert.deepEqual(attempts.map(a => a.reason), [
+    'success', 'discount_approval', 'discount_approval',
+    'invalid_approval', 'invalid_approval', 'account_locked', 'account_locked'
+  ]);
+
+  await api('POST', `/api/users/${manager.id}/unlock`);
+  await login({ email: manager.email, password: 'Senha@12345' });
+});
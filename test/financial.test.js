@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api } = require('./helpers');
+
+useServer();
+
+const lastFinancial = async () => (await api('GET', '/api/financial?sort=-id&pageSize=1')).body.data[0];
+
+test('parcelamento divide o valor e a baixa parcial e total acompanham o saldo', async () => {
+  const created = await api('POST', '/api/installments', { kind: 'receivable', description: 'Contrato', amount: 100, installments: 3 });
+  assert.equal(created.status, 201);
+  assert.deepEqual(created.body.map(i => parseFloat(i.amount)), [33.33, 33.33, 33.34]);
+  const [first] = created.body;
+
+  const partial = await api('POST', `/api/installments/${first.id}/settle`, { amount: 10 });
+  assert.equal(partial.status, 200);
+  assert.equal(partial.body.status, 'partially_paid');
+
+  assert.equal((await api('POST', `/api/installments/${first.id}/settle`, { amount: 30 })).status, 400);
+
+  const rest = await api('POST', `/api/installments/${first.id}/settle`, {});
+  assert.equal(rest.status, 200);
+  assert.equal(rest.body.status, 'paid');
+  assert.equal(parseFloat(rest.body.paidAmount), 33.33);
+  const settlement = await lastFinancial();
+  assert.equal(settlement.installmentId, first.id);
+  assert.equal(parseFloat(settlement.amount), 23.33);
+
+  assert.equal((await api('POST', `/api/installments/${first.id}/settle`, {})).status, 409);
+});
+
+test('lançamento de baixa não se edita nem se exclui; o manual, sim', async () => {
+  const settlement = await lastFinancial();
+  const edited = await api('PUT', `/api/financial/${settlement.id}`, { amount: 1 });
+  assert.equal(edited.status, 409);
+  assert.equal((await api('DELETE', `/api/financial/${settlement.id}`)).status, 409);
+  assert.equal(parseFloat((await api('GET', `/api/financial/${settlement.id}`)).body.amount), 23.33);
+
+  const manual = await api('POST', '/api/financial', { type: 'saida', amount: 50, description: 'Aluguel' });
+  assert.equal(manual.status, 201);
+  assert.equal((await api('PUT', `/api/financial/${manual.body.id}`, { amount: 55 })).status, 200);
+  assert.equal((await api('DELETE', `/api/financial/${manual.body.id}`)).status, 200);
+});
@@ -0,0 +1,167 @@
+// Apoio aos testes de integração: cada arquivo de teste sobe o seu servers.js, com banco em memória
+// numa porta livre, e fala com ele pela API como o frontend.
+const { before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('node:child_process');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const net = require('node:net');
+const os = require('node:os');
+const path = require('node:path');
+
+const SERVER = path.resolve(__dirname, '..', 'servers.js');
+
+const ADMIN = { email: 'admin@erp.com', password: 'admin123' };
+
+let server;
+let workDir;
+let baseUrl;
+let adminToken;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+async function waitForServer(timeoutMs = 30000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (server.exitCode !== null) throw new Error(`Servidor encerrou com código ${server.exitCode}`);
+    try {
+      const res = await fetch(`${baseUrl}/api/auth/password-policy`);
+      if (res.ok) return;
+    } catch (error) {
+      // ainda subindo
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  throw new Error('Servidor não respondeu a tempo');
+}
+
+// Registra os hooks que sobem o servidor antes dos testes do arquivo e o derrubam no fim.
+// `env` complementa as variáveis de ambiente do processo.
+function useServer(env = {}) {
+  before(async () => {
+    // O servers.js grava package.json, .env e README.md no diretório atual: roda numa pasta temporária
+    workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'erp-test-'));
+    const port = await freePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+    server = spawn(process.execPath, [SERVER], {
+      cwd: workDir,
+      env: { ...process.env, PORT: String(port), DB_STORAGE: ':memory:', JWT_SECRET: 'segredo-de-teste', ...env },
+      stdio: ['ignore', 'ignore', 'inherit']
+    });
+    await waitForServer();
+    adminToken = (await login()).token;
+  });
+
+  after(() => {
+    if (server) server.kill();
+    if (workDir) fs.rmSync(workDir, { recursive: true, force: true });
+  });
+}
+
+// Chama a API; sem `auth` usa o token do admin, com `null` vai sem autenticação
+async function api(method, url, body, auth = adminToken, headers = {}) {
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(auth ? { Authorization: `Bearer ${auth}` } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const text = await res.text();
+  let parsed = text;
+  try {
+    parsed = text ? JSON.parse(text) : null;
+  } catch (error) {
+    // corpo não JSON (páginas HTML)
+  }
+  return { status: res.status, headers: res.headers, body: parsed };
+}
+
+async function login(credentials = ADMIN) {
+  const res = await api('POST', '/api/auth/login', credentials, null);
+  assert.equal(res.status, 200, JSON.stringify(res.body));
+  return res.body;
+}
+
+// Cria um usuário com o perfil informado (criando o perfil se vier `permissions`) e devolve o token dele
+async function createUser({ role, permissions, maxDiscount = 0, email, password = 'Senha@12345' }) {
+  if (permissions) {
+    const created = await api('POST', '/api/roles', { name: role, label: role, permissions, maxDiscount });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+  }
+  const user = await api('POST', '/api/users', { name: email.split('@')[0], email, password, role });
+  assert.equal(user.status, 201, JSON.stringify(user.body));
+  const session = await login({ email, password });
+  return { ...user.body, token: session.token, refreshToken: session.refreshToken };
+}
+
+// Código TOTP (RFC 6238) do segredo base32, `offset` passos de 30s a partir de agora
+function totp(secret, offset = 0) {
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+  const bits = [...secret].map(char => alphabet.indexOf(char).toString(2).padStart(5, '0')).join('');
+  const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(Math.floor(Date.now() / 30000) + offset));
+  const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+  const code = hmac.readUInt32BE(hmac[hmac.length - 1] & 0xf) & 0x7fffffff;
+  return String(code % 1000000).padStart(6, '0');
+}
+
+// Ativa o 2FA do dono do token com o código do passo atual; devolve o segredo e os códigos de recuperação
+async function enableTwoFactor(token) {
+  const { body: { secret } } = await api('POST', '/api/auth/2fa/setup', {}, token);
+  const enabled = await api('POST', '/api/auth/2fa/enable', { code: totp(secret) }, token);
+  assert.equal(enabled.status, 200, JSON.stringify(enabled.body));
+  return { secret, recoveryCodes: enabled.body.recoveryCodes };
+}
+
+async function stockOf(productId, warehouseId) {
+  const { body } = await api('GET', `/api/products/${productId}`);
+  if (warehouseId === undefined) return body.stock;
+  const balance = body.StockBalances.find(b => b.warehouseId === warehouseId);
+  return balance ? balance.quantity : 0;
+}
+
+async function createProduct(attributes, quantity) {
+  const product = await api('POST', '/api/products', { price: 10, ...attributes });
+  assert.equal(product.status, 201, JSON.stringify(product.body));
+  if (quantity) {
+    const entry = await api('POST', `/api/products/${product.body.id}/movements`, { type: 'entry', quantity });
+    assert.equal(entry.status, 201, JSON.stringify(entry.body));
+  }
+  return product.body;
+}
+
+function sell(items, amount, extra = {}, auth) {
+  return api('POST', '/api/sales', { clientId: 1, items, payments: [{ method: 'cash', amount }], ...extra }, auth);
+}
+
+async function saleFinancials(saleId) {
+  const { body } = await api('GET', `/api/financial?saleId=${saleId}`);
+  return body.summary;
+}
+
+module.exports = {
+  ADMIN,
+  useServer,
+  api,
+  login,
+  createUser,
+  totp,
+  enableTwoFactor,
+  stockOf,
+  createProduct,
+  sell,
+  saleFinancials
+};
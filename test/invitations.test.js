@@ -0,0 +1,61 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { useServer, api, login } = require('./helpers');
+
+// E-mails vão para arquivos, de onde os testes tiram os links
+const mailDir = fs.mkdtempSync(path.join(os.tmpdir(), 'erp-mail-'));
+useServer({ MAIL_TRANSPORT: 'file', MAIL_DIR: mailDir, LOGIN_MAX_ATTEMPTS_PER_IP: '6' });
+after(() => fs.rmSync(mailDir, { recursive: true, force: true }));
+
+// Token do último link (`invite` ou `reset`) enviado para `to`
+function mailedToken(to, kind) {
+  const [last] = fs.readdirSync(mailDir).filter(file => file.endsWith(`-${to}.txt`)).sort().reverse();
+  assert.ok(last, `nenhum e-mail para ${to}`);
+  return fs.readFileSync(path.join(mailDir, last), 'utf8').match(new RegExp(`${kind}=([a-f0-9]+)`))[1];
+}
+
+test('convite cria o usuário com o perfil definido e vale uma vez', async () => {
+  const sent = await api('POST', '/api/invitations', { email: 'convidado@erp.com', name: 'Convidado', role: 'vendedor' });
+  assert.equal(sent.status, 201);
+  assert.equal(sent.body.tokenHash, undefined);
+  const token = mailedToken('convidado@erp.com', 'invite');
+
+  const details = await api('GET', `/api/auth/invitations/${token}`, undefined, null);
+  assert.equal(details.body.role, 'vendedor');
+  assert.equal((await api('POST', `/api/auth/invitations/${token}/accept`, { password: '123' }, null)).body.code, 'WEAK_PASSWORD');
+
+  const accepted = await api('POST', `/api/auth/invitations/${token}/accept`, { password: 'Convite@123' }, null);
+  assert.equal(accepted.status, 201);
+  assert.equal(accepted.body.role, 'vendedor');
+  await login({ email: 'convidado@erp.com', password: 'Convite@123' });
+
+  assert.equal((await api('POST', `/api/auth/invitations/${token}/accept`, { password: 'Convite@123' }, null)).status, 404);
+  assert.equal((await api('POST', '/api/invitations', { email: 'convidado@erp.com', role: 'vendedor' })).status, 409);
+});
+
+test('redefinição de senha troca a senha, derruba as sessões e o link não vale de novo', async () => {
+  const session = await login({ email: 'convidado@erp.com', password: 'Convite@123' });
+  const forgot = await api('POST', '/api/auth/password/forgot', { email: 'convidado@erp.com' }, null);
+  const unknown = await api('POST', '/api/auth/password/forgot', { email: 'ninguem@erp.com' }, null);
+  assert.equal(forgot.status, 200);
+  assert.deepEqual(unknown.body, forgot.body);
+
+  const token = mailedToken('convidado@erp.com', 'reset');
+  assert.equal((await api('POST', '/api/auth/password/reset', { token, password: 'Nova@12345' }, null)).status, 200);
+  assert.equal((await api('GET', '/api/auth/me', undefined, session.token)).status, 401);
+  await login({ email: 'convidado@erp.com', password: 'Nova@12345' });
+  assert.equal((await api('POST', '/api/auth/password/reset', { token, password: 'Outra@12345' }, null)).status, 404);
+});
+
+test('pedidos de redefinição em excesso do mesmo IP são limitados sem bloquear o login', async () => {
+  let res;
+  for (let i = 0; i < 6 && res?.status !== 429; i++) {
+    res = await api('POST', '/api/auth/password/forgot', { email: `alvo${i}@erp.com` }, null);
+  }
+  assert.equal(res.status, 429);
+  assert.ok(parseInt(res.headers.get('retry-after')) > 0);
+  await login();
+});
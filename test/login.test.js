@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, login, createUser } = require('./helpers');
+
+// Limites baixos para os testes; todas as requisições saem do mesmo IP, então o teste do limite
+// por IP fica por último
+useServer({ LOGIN_MAX_ATTEMPTS: '3', LOGIN_MAX_ATTEMPTS_PER_IP: '8' });
+
+test('senha fora da política é recusada', async () => {
+  const res = await api('POST', '/api/users', { name: 'Fraca', email: 'fraca@erp.com', password: 'abc', role: 'operador' });
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, 'WEAK_PASSWORD');
+});
+
+test('conta bloqueia após senhas erradas seguidas e volta com o desbloqueio', async () => {
+  const user = await createUser({ role: 'operador', email: 'bloqueio@erp.com' });
+  for (let i = 0; i < 3; i++) {
+    const wrong = await api('POST', '/api/auth/login', { email: user.email, password: 'errada' }, null);
+    assert.equal(wrong.status, 401);
+  }
+
+  const locked = await api('POST', '/api/auth/login', { email: user.email, password: 'Senha@12345' }, null);
+  assert.equal(locked.status, 429);
+  assert.ok(parseInt(locked.headers.get('retry-after')) > 0);
+
+  assert.equal((await api('POST', `/api/users/${user.id}/unlock`)).status, 200);
+  await login({ email: user.email, password: 'Senha@12345' });
+
+  const attempts = (await api('GET', `/api/login-attempts?email=${user.email}&pageSize=50`)).body.data;
+  assert.deepEqual(
+    attempts.map(a => a.reason).sort(),
+    ['account_locked', 'invalid_credentials', 'invalid_credentials', 'invalid_credentials', 'success', 'success', 'unlock']
+  );
+});
+
+test('IP com muitas falhas fica limitado mesmo com a senha certa', async () => {
+  let res;
+  for (let i = 0; i < 8 && res?.status !== 429; i++) {
+    res = await api('POST', '/api/auth/login', { email: `ninguem${i}@erp.com`, password: 'errada' }, null);
+  }
+  const blocked = await api('POST', '/api/auth/login', { email: 'admin@erp.com', password: 'admin123' }, null);
+  assert.equal(blocked.status, 429);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, login, createUser } = require('./helpers');
+
+useServer();
+
+let manager;
+let reader;
+
+test('perfil personalizado só acessa as rotas das permissões dele', async () => {
+  manager = await createUser({ role: 'gestor_usuarios', permissions: ['users:view', 'users:update', 'roles:create'], email: 'gestor@erp.com' });
+  reader = await createUser({ role: 'leitor_usuarios', permissions: ['users:view'], email: 'leitor@erp.com' });
+
+  assert.equal((await api('GET', '/api/users', undefined, manager.token)).status, 200);
+  assert.equal((await api('GET', '/api/products', undefined, manager.token)).status, 403);
+  assert.equal((await api('POST', '/api/users', { name: 'X', email: 'x@erp.com', password: 'Senha@12345', role: 'leitor_usuarios' }, manager.token)).status, 403);
+  assert.equal((await api('PUT', `/api/users/${reader.id}`, { name: 'Renomeado' }, reader.token)).status, 403);
+});
+
+test('ninguém concede permissões que não tem', async () => {
+  const role = await api('POST', '/api/roles', { name: 'super', permissions: ['users:view', 'products:view'] }, manager.token);
+  assert.equal(role.status, 403);
+  const subset = await api('POST', '/api/roles', { name: 'consulta', permissions: ['users:view'] }, manager.token);
+  assert.equal(subset.status, 201);
+
+  const promoted = await api('PUT', `/api/users/${reader.id}`, { role: 'admin' }, manager.token);
+  assert.equal(promoted.status, 403);
+});
+
+test('sessões e desbloqueio de quem tem mais acesso ficam fora do alcance', async () => {
+  const adminSession = await login();
+  const [adminSessionId] = (await api('GET', '/api/users/1/sessions')).body.map(session => session.id);
+  const routes = [
+    ['POST', '/api/users/1/unlock'],
+    ['GET', '/api/users/1/sessions'],
+    ['DELETE', `/api/users/1/sessions/${adminSessionId}`],
+    ['DELETE', '/api/users/1/sessions']
+  ];
+  for (const [method, url] of routes) {
+    const res = await api(method, url, undefined, manager.token);
+    assert.equal(res.status, 403, `${method} ${url}`);
+  }
+  assert.equal((await api('GET', '/api/auth/me', undefined, adminSession.token)).status, 200);
+
+  // Sobre um perfil contido no dele, o gestor pode tudo
+  const sessions = await api('GET', `/api/users/${reader.id}/sessions`, undefined, manager.token);
+  assert.equal(sessions.status, 200);
+  assert.equal(sessions.body.length, 1);
+  assert.equal((await api('DELETE', `/api/users/${reader.id}/sessions`, undefined, manager.token)).status, 200);
+  assert.equal((await api('GET', '/api/auth/me', undefined, reader.token)).status, 401);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, stockOf, createProduct } = require('./helpers');
+
+useServer();
+
+let supplierId;
+
+async function sentOrder(items) {
+  if (!supplierId) supplierId = (await api('POST', '/api/suppliers', { name: 'Fornecedor de teste' })).body.id;
+  const order = await api('POST', '/api/purchase-orders', { supplierId, items });
+  assert.equal(order.status, 201, JSON.stringify(order.body));
+  assert.equal((await api('POST', `/api/purchase-orders/${order.body.id}/send`)).status, 200);
+  return (await api('GET', `/api/purchase-orders/${order.body.id}`)).body;
+}
+
+const receive = (order, items) => api('POST', `/api/purchase-orders/${order.id}/receive`, { items });
+
+test('mesmo produto em duas linhas do recebimento entra no custo médio pelas duas', async () => {
+  const product = await createProduct({ name: 'Custo médio', costPrice: 10 }, 10);
+  const order = await sentOrder([
+    { productId: product.id, quantity: 10, unitCost: 20 },
+    { productId: product.id, quantity: 10, unitCost: 30 }
+  ]);
+
+  const received = await receive(order, order.PurchaseOrderItems.map(item => ({ purchaseOrderItemId: item.id, quantity: 10 })));
+  assert.equal(received.status, 200);
+  assert.equal(received.body.status, 'received');
+  assert.equal(await stockOf(product.id), 30);
+  // (10 × 10 + 10 × 20 + 10 × 30) / 30
+  assert.equal(parseFloat((await api('GET', `/api/products/${product.id}`)).body.costPrice), 20);
+});
+
+test('recebimento parcial a outro custo guarda o recebido sem perder o custo do pedido', async () => {
+  const product = await createProduct({ name: 'Recebido em partes', costPrice: 5 });
+  const order = await sentOrder([{ productId: product.id, quantity: 10, unitCost: 5 }]);
+  const [item] = order.PurchaseOrderItems;
+
+  assert.equal((await receive(order, [{ purchaseOrderItemId: item.id, quantity: 11 }])).status, 400);
+
+  const first = await receive(order, [{ purchaseOrderItemId: item.id, quantity: 4, unitCost: 6 }]);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.status, 'partially_received');
+  let [line] = first.body.PurchaseOrderItems;
+  assert.equal(parseFloat(line.unitCost), 5);
+  assert.equal(parseFloat(line.receivedTotal), 24);
+  assert.equal(parseFloat(first.body.total), 54);
+
+  const rest = await receive(order, [{ purchaseOrderItemId: item.id, quantity: 6 }]);
+  assert.equal(rest.status, 200);
+  assert.equal(rest.body.status, 'received');
+  [line] = rest.body.PurchaseOrderItems;
+  assert.equal(parseFloat(line.unitCost), 5);
+  assert.equal(parseFloat(line.receivedTotal), 54);
+  assert.equal(parseFloat(rest.body.total), 54);
+
+  const { body: financials } = await api('GET', `/api/financial?purchaseOrderId=${order.id}&sort=id`);
+  assert.deepEqual(financials.data.map(f => [f.type, parseFloat(f.amount)]), [['saida', 24], ['saida', 30]]);
+  assert.equal((await receive(order, [{ purchaseOrderItemId: item.id, quantity: 1 }])).status, 409);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, createProduct, sell } = require('./helpers');
+
+useServer();
+
+test('venda que cruza o ponto de pedido ou zera o estoque gera notificação', async () => {
+  const product = await createProduct({ name: 'Alerta', reorderPoint: 5 }, 10);
+  assert.equal((await sell([{ productId: product.id, quantity: 4 }], 40)).status, 201);
+  assert.equal((await api('GET', `/api/notifications?entityId=${product.id}`)).body.total, 0);
+
+  await sell([{ productId: product.id, quantity: 2 }], 20);
+  await sell([{ productId: product.id, quantity: 4 }], 40);
+  const { body: notifications } = await api('GET', `/api/notifications?entityId=${product.id}&sort=id`);
+  assert.deepEqual(notifications.data.map(n => n.type), ['low_stock', 'out_of_stock']);
+  assert.ok(notifications.unread >= 2);
+
+  const low = (await api('GET', '/api/products?lowStock=true&pageSize=100')).body.data;
+  assert.ok(low.some(p => p.id === product.id));
+
+  assert.equal((await api('POST', `/api/notifications/${notifications.data[0].id}/read`)).status, 200);
+  assert.equal((await api('GET', `/api/notifications?entityId=${product.id}&unread=true`)).body.total, 1);
+  await api('POST', '/api/notifications/read-all');
+  assert.equal((await api('GET', '/api/notifications?unread=true')).body.unread, 0);
+});
+
+test('sugestão de compra usa o giro e o prazo do fornecedor e vira pedido em rascunho', async () => {
+  const supplier = (await api('POST', '/api/suppliers', { name: 'Reposição', leadTimeDays: 10 })).body;
+  const product = await createProduct({ name: 'Giro', supplierId: supplier.id, minStock: 2, maxStock: 20, costPrice: 4 }, 10);
+  assert.equal((await sell([{ productId: product.id, quantity: 9 }], 90)).status, 201);
+
+  const { body } = await api('GET', `/api/reorder-suggestions?supplierId=${supplier.id}`);
+  assert.equal(body.data.length, 1);
+  const [suggestion] = body.data;
+  assert.equal(suggestion.sold, 9);
+  assert.equal(suggestion.leadTimeDays, 10);
+  // 9 vendidos em 30 dias × 10 dias de prazo, mais o mínimo de 2
+  assert.equal(suggestion.reorderPoint, 5);
+  assert.equal(suggestion.quantity, 19);
+  assert.equal(suggestion.total, 76);
+
+  const orders = await api('POST', '/api/reorder-suggestions/purchase-orders', { items: [{ productId: product.id, quantity: suggestion.quantity }] });
+  assert.equal(orders.status, 201);
+  assert.deepEqual(orders.body.map(o => [o.supplierId, o.status, o.total]), [[supplier.id, 'draft', 76]]);
+  // O rascunho conta como mercadoria a caminho
+  assert.deepEqual((await api('GET', `/api/reorder-suggestions?supplierId=${supplier.id}`)).body.data, []);
+});
@@ -0,0 +1,89 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, stockOf, createProduct, sell, saleFinancials } = require('./helpers');
+
+useServer();
+
+test('venda baixa o estoque e registra o pagamento', async () => {
+  const initial = await stockOf(1);
+  const sale = await sell([{ productId: 1, quantity: 2 }], 199.8);
+  assert.equal(sale.status, 201);
+  assert.equal(sale.body.total, 199.8);
+  assert.equal(await stockOf(1), initial - 2);
+  assert.equal((await saleFinancials(sale.body.id)).entradas, 199.8);
+});
+
+test('venda com item sem estoque não grava nenhum dos itens', async () => {
+  const stockA = await stockOf(1);
+  const sales = (await api('GET', '/api/sales')).body.total;
+  const sale = await sell([{ productId: 1, quantity: 1 }, { productId: 2, quantity: 999 }], 100);
+  assert.equal(sale.status, 400);
+  assert.equal(await stockOf(1), stockA);
+  assert.equal((await api('GET', '/api/sales')).body.total, sales);
+});
+
+test('vendas simultâneas não vendem além do estoque', async () => {
+  const product = await createProduct({ name: 'Concorrência' }, 10);
+  const results = await Promise.all(
+    Array.from({ length: 5 }, () => sell([{ productId: product.id, quantity: 3 }], 30))
+  );
+  const statuses = results.map(r => r.status);
+  assert.equal(statuses.filter(s => s === 201).length, 3, `respostas: ${statuses}`);
+  assert.ok(statuses.every(s => s === 201 || s === 400 || s === 409), `respostas: ${statuses}`);
+  assert.equal(await stockOf(product.id), 1);
+});
+
+test('devolução parcial e cancelamento devolvem o estoque e estornam o valor', async () => {
+  const initial = await stockOf(2);
+  const sale = await sell([{ productId: 2, quantity: 4 }], 599.6);
+  assert.equal(sale.status, 201);
+  const [item] = (await api('GET', `/api/sales/${sale.body.id}`)).body.SaleItems;
+
+  const returned = await api('POST', `/api/sales/${sale.body.id}/returns`, { items: [{ saleItemId: item.id, quantity: 1 }] });
+  assert.equal(returned.status, 200);
+  assert.equal(returned.body.returnedAmount, 149.9);
+  assert.equal(await stockOf(2), initial - 3);
+
+  const excess = await api('POST', `/api/sales/${sale.body.id}/returns`, { items: [{ saleItemId: item.id, quantity: 4 }] });
+  assert.equal(excess.status, 400);
+
+  const cancelled = await api('POST', `/api/sales/${sale.body.id}/cancel`, { reason: 'Teste' });
+  assert.equal(cancelled.status, 200);
+  assert.equal(cancelled.body.status, 'cancelled');
+  assert.equal(await stockOf(2), initial);
+  const summary = await saleFinancials(sale.body.id);
+  assert.equal(summary.entradas, 599.6);
+  assert.equal(summary.saidas, 599.6);
+
+  const again = await api('POST', `/api/sales/${sale.body.id}/cancel`, {});
+  assert.equal(again.status, 409);
+  assert.equal(await stockOf(2), initial);
+});
+
+test('pagamento dividido gera uma entrada por forma e parcelas no crediário', async () => {
+  const mismatch = await sell([{ productId: 1, quantity: 1 }], 99.9, { payments: [{ method: 'cash', amount: 50 }, { method: 'pix', amount: 40 }] });
+  assert.equal(mismatch.status, 400);
+  assert.equal(mismatch.body.code, 'PAYMENT_MISMATCH');
+
+  const sale = await sell([{ productId: 1, quantity: 1 }], 99.9, {
+    payments: [
+      { method: 'cash', amount: 50, tendered: 60 },
+      { method: 'pix', amount: 20 },
+      { method: 'store_credit', amount: 29.9, installments: 2 }
+    ]
+  });
+  assert.equal(sale.status, 201);
+  const cash = sale.body.SalePayments.find(p => p.method === 'cash');
+  assert.equal(parseFloat(cash.change), 10);
+
+  const { body: financials } = await api('GET', `/api/financial?saleId=${sale.body.id}&sort=id`);
+  assert.deepEqual(financials.data.map(f => [f.paymentMethod, parseFloat(f.amount)]), [['cash', 50], ['pix', 20]]);
+  const { body: installments } = await api('GET', `/api/installments?saleId=${sale.body.id}&sort=id`);
+  assert.deepEqual(installments.data.map(i => parseFloat(i.amount)), [14.95, 14.95]);
+
+  // Entradas da venda só mudam pelo cancelamento ou devolução
+  for (const entry of financials.data) {
+    assert.equal((await api('PUT', `/api/financial/${entry.id}`, { amount: 1 })).status, 409);
+    assert.equal((await api('DELETE', `/api/financial/${entry.id}`)).status, 409);
+  }
+});
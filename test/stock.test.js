@@ -0,0 +1,105 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, stockOf, createProduct, sell } = require('./helpers');
+
+useServer();
+
+test('transferência tira da origem no envio e entra no destino no recebimento', async () => {
+  const warehouse = await api('POST', '/api/warehouses', { name: 'Loja Centro' });
+  assert.equal(warehouse.status, 201);
+  const to = warehouse.body.id;
+  const from = await stockOf(2, 1);
+
+  const transfer = await api('POST', '/api/stock-transfers', { fromWarehouseId: 1, toWarehouseId: to, items: [{ productId: 2, quantity: 10 }] });
+  assert.equal(transfer.status, 201);
+  const id = transfer.body.id;
+
+  const sent = await api('POST', `/api/stock-transfers/${id}/send`);
+  assert.equal(sent.body.status, 'in_transit');
+  assert.equal(await stockOf(2, 1), from - 10);
+  assert.equal(await stockOf(2, to), 0);
+
+  const received = await api('POST', `/api/stock-transfers/${id}/receive`);
+  assert.equal(received.body.status, 'received');
+  assert.equal(await stockOf(2, 1), from - 10);
+  assert.equal(await stockOf(2, to), 10);
+  assert.equal(await stockOf(2), from);
+
+  const twice = await api('POST', `/api/stock-transfers/${id}/receive`);
+  assert.equal(twice.status, 409);
+  assert.equal(await stockOf(2, to), 10);
+});
+
+test('transferência sem saldo na origem não sai', async () => {
+  const from = await stockOf(1, 1);
+  const transfer = await api('POST', '/api/stock-transfers', { fromWarehouseId: 1, toWarehouseId: 2, items: [{ productId: 1, quantity: from + 1 }] });
+  const sent = transfer.status === 201 ? await api('POST', `/api/stock-transfers/${transfer.body.id}/send`) : transfer;
+  assert.ok([400, 409].includes(sent.status), JSON.stringify(sent.body));
+  assert.equal(await stockOf(1, 1), from);
+});
+
+test('lançamento do inventário ajusta o saldo pela diferença contada', async () => {
+  const product = await createProduct({ name: 'Inventariado' }, 20);
+  const count = await api('POST', '/api/inventory-counts', { warehouseId: 1 });
+  assert.equal(count.status, 201);
+  const id = count.body.id;
+
+  const counted = await api('PUT', `/api/inventory-counts/${id}/items`, { items: [{ productId: product.id, countedQuantity: 17 }] });
+  assert.equal(counted.status, 200);
+  const posted = await api('POST', `/api/inventory-counts/${id}/post`, { reason: 'Contagem de teste' });
+  assert.equal(posted.status, 200);
+  assert.equal(posted.body.status, 'posted');
+  assert.equal(posted.body.items.find(i => i.productId === product.id).adjustment, -3);
+  assert.equal(await stockOf(product.id), 17);
+
+  const again = await api('POST', `/api/inventory-counts/${id}/post`, { reason: 'De novo' });
+  assert.equal(again.status, 409);
+  assert.equal(await stockOf(product.id), 17);
+});
+
+test('venda durante o inventário não é descontada duas vezes', async () => {
+  const product = await createProduct({ name: 'Vendido na contagem' }, 20);
+  const { body: count } = await api('POST', '/api/inventory-counts', { warehouseId: 1 });
+
+  // Antes da contagem do produto: a prateleira já está sem as 2 unidades vendidas
+  assert.equal((await sell([{ productId: product.id, quantity: 2 }], 20)).status, 201);
+  await api('PUT', `/api/inventory-counts/${count.id}/items`, { items: [{ productId: product.id, countedQuantity: 17 }] });
+  // Depois da contagem: sai do saldo e da prateleira, fora do que foi contado
+  assert.equal((await sell([{ productId: product.id, quantity: 1 }], 10)).status, 201);
+
+  const posted = await api('POST', `/api/inventory-counts/${count.id}/post`, { reason: 'Contagem com vendas' });
+  assert.equal(posted.status, 200);
+  const item = posted.body.items.find(i => i.productId === product.id);
+  assert.equal(item.variance, -3);
+  assert.equal(item.adjustment, -1);
+  assert.equal(await stockOf(product.id), 16);
+});
+
+test('saída de produto com lote consome primeiro o que vence antes (FEFO)', async () => {
+  const product = await createProduct({ name: 'Leite', trackLots: true });
+  for (const [lotNumber, expiryDate] of [['L-TARDE', '2099-12-31'], ['L-CEDO', '2099-01-31']]) {
+    const entry = await api('POST', `/api/products/${product.id}/movements`, { type: 'entry', quantity: 5, lotNumber, expiryDate });
+    assert.equal(entry.status, 201);
+  }
+
+  const sale = await sell([{ productId: product.id, quantity: 7 }], 70);
+  assert.equal(sale.status, 201);
+  const [item] = (await api('GET', `/api/sales/${sale.body.id}`)).body.SaleItems;
+  assert.deepEqual(item.lots.map(l => [l.number, l.quantity]), [['L-CEDO', 5], ['L-TARDE', 2]]);
+
+  const lots = (await api('GET', `/api/stock/lots?productId=${product.id}`)).body.data;
+  assert.deepEqual(lots.map(l => [l.number, l.quantity]), [['L-TARDE', 3]]);
+
+  const returned = await api('POST', `/api/sales/${sale.body.id}/returns`, { items: [{ saleItemId: item.id, quantity: 7 }] });
+  assert.equal(returned.status, 200);
+  const restored = (await api('GET', `/api/stock/lots?productId=${product.id}`)).body.data;
+  assert.deepEqual(restored.map(l => [l.number, l.quantity]).sort(), [['L-CEDO', 5], ['L-TARDE', 5]]);
+});
+
+test('entrada de produto com lote exige número e validade', async () => {
+  const product = await createProduct({ name: 'Iogurte', trackLots: true });
+  const entry = await api('POST', `/api/products/${product.id}/movements`, { type: 'entry', quantity: 5 });
+  assert.equal(entry.status, 400);
+  assert.equal(entry.body.code, 'VALIDATION_ERROR');
+  assert.equal(await stockOf(product.id), 0);
+});
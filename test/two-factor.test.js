@@ -0,0 +1,48 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, createUser, totp, enableTwoFactor } = require('./helpers');
+
+useServer();
+
+const challenge = async (user) => {
+  const res = await api('POST', '/api/auth/login', { email: user.email, password: 'Senha@12345' }, null);
+  assert.equal(res.body.twoFactorRequired, true);
+  return res.body.challengeToken;
+};
+
+const secondStep = async (user, factor) =>
+  api('POST', '/api/auth/login/2fa', { challengeToken: await challenge(user), ...factor }, null);
+
+test('código TOTP vale uma única vez', async () => {
+  const user = await createUser({ role: 'vendedor', email: 'totp@erp.com' });
+  const { secret } = await enableTwoFactor(user.token);
+
+  // O código da ativação já foi consumido
+  assert.equal((await secondStep(user, { code: totp(secret) })).status, 401);
+  const ok = await secondStep(user, { code: totp(secret, 1) });
+  assert.equal(ok.status, 200);
+  assert.ok(ok.body.token);
+  assert.equal((await secondStep(user, { code: totp(secret, 1) })).status, 401);
+});
+
+test('código de recuperação vale uma única vez', async () => {
+  const user = await createUser({ role: 'vendedor', email: 'recuperacao@erp.com' });
+  const { recoveryCodes } = await enableTwoFactor(user.token);
+
+  assert.equal((await secondStep(user, { recoveryCode: recoveryCodes[0] })).status, 200);
+  assert.equal((await secondStep(user, { recoveryCode: recoveryCodes[0] })).status, 401);
+  const me = await api('GET', '/api/auth/me', undefined, user.token);
+  assert.equal(me.body.recoveryCodesLeft, 9);
+});
+
+test('o mesmo código em requisições simultâneas só passa em uma', async () => {
+  const user = await createUser({ role: 'vendedor', email: 'simultaneo@erp.com' });
+  const { secret, recoveryCodes } = await enableTwoFactor(user.token);
+
+  for (const factor of [{ code: totp(secret, 1) }, { recoveryCode: recoveryCodes[0] }]) {
+    const tokens = [await challenge(user), await challenge(user), await challenge(user)];
+    const results = await Promise.all(tokens.map(challengeToken =>
+      api('POST', '/api/auth/login/2fa', { challengeToken, ...factor }, null)));
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 401, 401], JSON.stringify(factor));
+  }
+});
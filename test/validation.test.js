@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api } = require('./helpers');
+
+useServer();
+
+test('corpo inválido volta 400 com o erro de cada campo', async () => {
+  const sale = await api('POST', '/api/sales', { clientId: 1, payments: [{ method: 'cash' }] });
+  assert.equal(sale.status, 400);
+  assert.equal(sale.body.code, 'VALIDATION_ERROR');
+  assert.equal(sale.body.fields.items.code, 'required');
+
+  const zero = await api('POST', '/api/sales', { clientId: 1, items: [{ productId: 1, quantity: 0 }], payments: [{ method: 'cash' }] });
+  assert.equal(zero.body.fields['items[0].quantity'].code, 'min');
+
+  const product = await api('POST', '/api/products', { name: '', price: -1 });
+  assert.deepEqual(Object.keys(product.body.fields).sort(), ['name', 'price']);
+  assert.equal(product.body.fields.price.code, 'min');
+
+  const client = await api('POST', '/api/clients', { name: 'Cliente', email: 'sem-arroba' });
+  assert.equal(client.body.fields.email.code, 'format');
+});
+
+test('valores válidos chegam convertidos', async () => {
+  const product = await api('POST', '/api/products', { name: '  Convertido  ', price: '12.5', minStock: '3' });
+  assert.equal(product.status, 201);
+  assert.equal(product.body.name, 'Convertido');
+  assert.equal(product.body.price, 12.5);
+  assert.equal(product.body.minStock, 3);
+});
+
+test('query string é validada e erros montados na rota recebem o código do status', async () => {
+  const list = await api('GET', '/api/sales?pageSize=100000&from=2024-02-31');
+  assert.equal(list.status, 400);
+  assert.equal(list.body.fields.pageSize.code, 'max');
+  assert.equal(list.body.fields.from.code, 'format');
+
+  const missing = await api('GET', '/api/products/99999');
+  assert.equal(missing.status, 404);
+  assert.equal(missing.body.code, 'NOT_FOUND');
+});
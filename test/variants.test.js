@@ -0,0 +1,68 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { useServer, api, stockOf, createProduct, sell } = require('./helpers');
+
+useServer();
+
+const grid = [{ name: 'Tamanho', values: ['P', 'M'] }, { name: 'Cor', values: ['Azul', 'Preto'] }];
+
+test('produto com variações gera a grade e cada variação tem SKU, preço e estoque próprios', async () => {
+  const shirt = await createProduct({
+    name: 'Camiseta',
+    type: 'variable',
+    price: 50,
+    variantAttributes: grid,
+    variants: [
+      { options: { Tamanho: 'P', Cor: 'Azul' }, sku: 'CAM-P-AZ', stock: 4 },
+      { options: { Tamanho: 'M', Cor: 'Azul' }, sku: 'CAM-M-AZ', price: 55, stock: 2 }
+    ]
+  });
+  assert.deepEqual(shirt.variants.map(v => [v.name, v.sku, v.price, v.stock]), [
+    ['Camiseta - P / Azul', 'CAM-P-AZ', 50, 4],
+    ['Camiseta - M / Azul', 'CAM-M-AZ', 55, 2]
+  ]);
+  assert.equal(shirt.availableStock, 6);
+
+  const outside = await api('POST', `/api/products/${shirt.id}/variants`, { variants: [{ options: { Tamanho: 'G', Cor: 'Azul' } }] });
+  assert.equal(outside.body.fields['variants[0].options'].code, 'options');
+  const repeated = await api('POST', `/api/products/${shirt.id}/variants`, { variants: [{ options: { Tamanho: 'P', Cor: 'Azul' } }] });
+  assert.equal(repeated.body.fields['variants[0].options'].code, 'duplicate');
+  // Sem `variants`, completa a grade com as combinações que faltam
+  const rest = await api('POST', `/api/products/${shirt.id}/variants`, {});
+  assert.deepEqual(rest.body.map(v => v.options), [{ Tamanho: 'P', Cor: 'Preto' }, { Tamanho: 'M', Cor: 'Preto' }]);
+
+  assert.equal((await sell([{ productId: shirt.id, quantity: 1 }], 50)).status, 409);
+  const [small] = shirt.variants;
+  assert.equal((await sell([{ productId: small.id, quantity: 3 }], 150)).status, 201);
+  assert.equal(await stockOf(small.id), 1);
+});
+
+test('venda de kit baixa o estoque de cada componente e o cancelamento devolve', async () => {
+  const cup = await createProduct({ name: 'Caneca' }, 10);
+  const spoon = await createProduct({ name: 'Colher' }, 5);
+  const kit = await createProduct({
+    name: 'Kit café',
+    type: 'kit',
+    price: 30,
+    components: [{ productId: cup.id, quantity: 1 }, { productId: spoon.id, quantity: 2 }]
+  });
+  assert.equal(kit.availableStock, 2);
+
+  const sale = await sell([{ productId: kit.id, quantity: 2 }], 60);
+  assert.equal(sale.status, 201);
+  assert.equal(await stockOf(cup.id), 8);
+  assert.equal(await stockOf(spoon.id), 1);
+  assert.equal((await sell([{ productId: kit.id, quantity: 1 }], 30)).status, 400);
+
+  assert.equal((await api('POST', `/api/sales/${sale.body.id}/cancel`, { reason: 'Teste' })).status, 200);
+  assert.equal(await stockOf(cup.id), 10);
+  assert.equal(await stockOf(spoon.id), 5);
+});
+
+test('kit só aceita componentes com estoque próprio', async () => {
+  const shirt = (await api('GET', '/api/products?q=Camiseta&type=variable')).body.data[0];
+  const kit = await api('POST', '/api/products', { name: 'Kit inválido', type: 'kit', price: 1, components: [{ productId: shirt.id, quantity: 1 }] });
+  assert.equal(kit.status, 400);
+  assert.equal(kit.body.fields['components[0].productId'].code, 'type');
+  assert.equal((await api('POST', '/api/products', { name: 'Kit vazio', type: 'kit', price: 1 })).body.fields.components.code, 'required');
+});